@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * Reference Sync Server
+ * Educational Note: A small REST server for the app's optional server sync (see
+ * "Server Sync" in app.js and "Sync Server API" in the README). It uses only Node's
+ * built-in modules and keeps everything in one JSON file, which is plenty for one
+ * person's tasks. MockSyncServer in app.js answers the same API in memory.
+ *
+ * Run it with `node server/sync-server.js`. Settings come from the environment:
+ *   PORT         Port to listen on (default 3001)
+ *   DATA_FILE    Where tasks are saved (default server/sync-data.json)
+ *   SYNC_TOKEN   When set, every request needs "Authorization: Bearer <token>"
+ *   CORS_ORIGIN  Origin allowed to call the API from a browser (default *)
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'sync-data.json');
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Storage
+ * tasks:   id -> { task, changedAt }
+ * deleted: id -> { deletedAt, changedAt } (tombstones, so other devices learn about deletes)
+ * changedAt is stamped by the server, so clients only have to remember the server's clock
+ */
+const store = { tasks: new Map(), deleted: new Map() };
+
+/**
+ * A data file that cannot be read is moved aside (never overwritten) and the server
+ * starts empty, so one bad write does not keep it from starting
+ */
+function loadStore() {
+    if (!fs.existsSync(DATA_FILE)) return;
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        const corruptFile = `${DATA_FILE}.corrupt-${Date.now()}`;
+        fs.renameSync(DATA_FILE, corruptFile);
+        console.error(`Could not read ${DATA_FILE} (${error.message}) - moved it to ${corruptFile} and starting empty`);
+        return;
+    }
+    if (!data || typeof data !== 'object') data = {};
+    Object.entries(data.tasks || {}).forEach(([id, entry]) => store.tasks.set(id, entry));
+    Object.entries(data.deleted || {}).forEach(([id, entry]) => store.deleted.set(id, entry));
+}
+
+function saveStore() {
+    const data = {
+        tasks: Object.fromEntries(store.tasks),
+        deleted: Object.fromEntries(store.deleted)
+    };
+    // Write a temporary file and rename it, so a crash never leaves half a file behind
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+function isValidTimestamp(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Same checks as validateTaskRecord in app.js
+ * @returns {string[]} Problems found; empty when the task can be stored
+ */
+function validateTask(task) {
+    if (!task || typeof task !== 'object' || Array.isArray(task)) {
+        return ['not an object'];
+    }
+
+    const problems = [];
+    if (typeof task.id !== 'string' || task.id.trim() === '') problems.push('missing id');
+    else if (!/^[\w.:@-]{1,200}$/.test(task.id)) problems.push('invalid id');
+    if (typeof task.text !== 'string' || task.text.trim() === '' || task.text.trim().length > 500) {
+        problems.push('invalid text');
+    }
+    if (typeof task.completed !== 'boolean') problems.push('invalid completed flag');
+    if (!isValidTimestamp(task.createdAt)) problems.push('invalid createdAt');
+    if (!isValidTimestamp(task.updatedAt)) problems.push('invalid updatedAt');
+    return problems;
+}
+
+/**
+ * API handlers; each returns { status, body }
+ */
+function listChanges(since) {
+    const isNew = entry => !since || entry.changedAt >= since; // Repeats are harmless; misses are not
+    return {
+        status: 200,
+        body: {
+            tasks: [...store.tasks.values()].filter(isNew).map(entry => entry.task),
+            deleted: [...store.deleted.entries()].filter(([, entry]) => isNew(entry))
+                .map(([id, entry]) => ({ id, deletedAt: entry.deletedAt })),
+            serverTime: new Date().toISOString()
+        }
+    };
+}
+
+function saveTask(task, id = null) {
+    const problems = validateTask(task);
+    if (problems.length > 0 || (id && task.id !== id)) {
+        return { status: 400, body: { error: problems.join(', ') || 'Task id does not match the URL' } };
+    }
+
+    // The copy with the later updatedAt wins; the client gets the newer copy back
+    const existing = store.tasks.get(task.id);
+    if (existing && Date.parse(existing.task.updatedAt) > Date.parse(task.updatedAt)) {
+        return { status: 409, body: { task: existing.task } };
+    }
+    const tombstone = store.deleted.get(task.id);
+    if (tombstone && Date.parse(tombstone.deletedAt) >= Date.parse(task.updatedAt)) {
+        return { status: 409, body: { deleted: { id: task.id, deletedAt: tombstone.deletedAt } } };
+    }
+
+    store.deleted.delete(task.id);
+    store.tasks.set(task.id, { task, changedAt: new Date().toISOString() });
+    saveStore();
+    return { status: existing ? 200 : 201, body: { task } };
+}
+
+function deleteTask(id, deletedAt) {
+    if (!isValidTimestamp(deletedAt)) {
+        return { status: 400, body: { error: 'deletedAt must be a timestamp' } };
+    }
+
+    const existing = store.tasks.get(id);
+    if (existing && Date.parse(existing.task.updatedAt) > Date.parse(deletedAt)) {
+        return { status: 409, body: { task: existing.task } }; // Edited after it was deleted: keep it
+    }
+
+    store.tasks.delete(id);
+    store.deleted.set(id, { deletedAt, changedAt: new Date().toISOString() });
+    saveStore();
+    return { status: 204, body: null };
+}
+
+function route(method, url, headers, body) {
+    if (SYNC_TOKEN && headers.authorization !== `Bearer ${SYNC_TOKEN}`) {
+        return { status: 401, body: { error: 'Missing or wrong access token' } };
+    }
+
+    const match = url.pathname.match(/^\/api\/tasks(?:\/([^/]+))?\/?$/);
+    if (!match) return { status: 404, body: { error: 'Not found' } };
+    let id = null;
+    try {
+        id = match[1] ? decodeURIComponent(match[1]) : null;
+    } catch (error) {
+        return { status: 400, body: { error: 'Invalid task id in URL' } }; // A stray % that is not an escape
+    }
+
+    if (method === 'GET' && !id) return listChanges(url.searchParams.get('since'));
+    if (method === 'POST' && !id) return saveTask(body && body.task);
+    if (method === 'PUT' && id) return saveTask(body && body.task, id);
+    if (method === 'DELETE' && id) return deleteTask(id, url.searchParams.get('deletedAt'));
+    return { status: 405, body: { error: 'Method not allowed' } };
+}
+
+/**
+ * HTTP plumbing: CORS, body parsing and JSON responses
+ */
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Access-Control-Allow-Origin': CORS_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        ...(body === null ? {} : { 'Content-Type': 'application/json' })
+    });
+    response.end(body === null ? undefined : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Stop reading but keep the connection open, so the client still gets the 413
+                request.removeListener('data', onData);
+                request.pause();
+                reject(Object.assign(new Error('Request body is too large'), { status: 413, closeConnection: true }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        request.on('data', onData);
+        request.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(text ? JSON.parse(text) : null);
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (request, response) => {
+    if (request.method === 'OPTIONS') {
+        send(response, 204, null); // CORS preflight
+        return;
+    }
+
+    try {
+        const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+        const body = await readBody(request);
+        const result = route(request.method, url, request.headers, body);
+        send(response, result.status, result.body);
+        console.log(`${request.method} ${url.pathname} -> ${result.status}`);
+    } catch (error) {
+        const status = error.status || 500;
+        if (status === 500) console.error('Request failed:', error);
+        if (error.closeConnection) {
+            response.setHeader('Connection', 'close');
+            response.on('finish', () => request.destroy()); // The rest of the body is never read
+        }
+        if (!response.headersSent) send(response, status, { error: error.message });
+    }
+});
+
+loadStore();
+server.listen(PORT, () => {
+    console.log(`Sync server listening on http://localhost:${PORT}/api (data: ${DATA_FILE})`);
+    if (!SYNC_TOKEN) console.log('No SYNC_TOKEN set - anyone who can reach this port can read and change the tasks');
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Service Worker
+ * Educational Note: The browser runs this file in the background, separate from the
+ * page. On install it saves ("precaches") the files the app needs, and from then on
+ * it answers requests for them from that cache - so the app opens without a network.
+ *
+ * Releasing a change: bump CACHE_VERSION. The browser sees that sw.js changed,
+ * installs the new version next to the old one, and the page offers a reload
+ * (see "Offline App" in app.js). Old caches are deleted once the new version takes over.
+ */
+const CACHE_VERSION = 'v9';
+const CACHE_PREFIX = 'todo-shell-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+const SHELL_ASSETS = [
+    './',
+    './index.html',
+    './style.css',
+    './app.js',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-maskable.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-192.png',
+    './icons/icon-maskable-512.png',
+    './icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', event => {
+    // Bypass the HTTP cache so a new version never precaches old files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(SHELL_ASSETS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+    // No skipWaiting() here: the new version waits until the user chooses to reload
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Clicking a reminder notification (shown from here on Android) opens the app
+ */
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => 'focus' in client);
+            return open ? open.focus() : self.clients.openWindow('./');
+        })
+    );
+});
+
+/**
+ * Cache first for the app shell; everything else goes to the network
+ * Page loads (including ones with ?query or #hash) always get the cached index.html
+ */
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});